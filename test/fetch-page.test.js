@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ipv6Groups, isPrivateAddress } = require('../server.js');
+
+test('ipv6Groups: expande "::" y convierte el sufijo IPv4 decimal', () => {
+  assert.deepEqual(ipv6Groups('::1'), [0, 0, 0, 0, 0, 0, 0, 1]);
+  assert.deepEqual(ipv6Groups('::'), [0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(ipv6Groups('2002:c0a8::'), [0x2002, 0xc0a8, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(ipv6Groups('::ffff:127.0.0.1'), [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]);
+  assert.deepEqual(ipv6Groups('FE80::1%eth0'), [0xfe80, 0, 0, 0, 0, 0, 0, 1]);
+});
+
+test('isPrivateAddress: IPv4 privadas, loopback, link-local (metadata cloud) y CGNAT', () => {
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']
+    .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  ['8.8.8.8', '172.32.0.1', '100.128.0.1'].forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('isPrivateAddress: IPv6 loopback, link-local y unique local', () => {
+  assert.equal(isPrivateAddress('::1'), true);
+  assert.equal(isPrivateAddress('::'), true);
+  assert.equal(isPrivateAddress('fe80::'), true);
+  assert.equal(isPrivateAddress('fd12:3456::1'), true);
+  assert.equal(isPrivateAddress('ff02::1'), true);
+});
+
+test('isPrivateAddress: formas IPv6 con IPv4 embebida se clasifican por la IPv4', () => {
+  assert.equal(isPrivateAddress('::ffff:7f00:1'), true); // IPv4-mapped de 127.0.0.1
+  assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+  assert.equal(isPrivateAddress('::ffff:0:a00:1'), true); // IPv4-translated de 10.0.0.1
+  assert.equal(isPrivateAddress('::a9fe:a9fe'), true); // IPv4-compatible de 169.254.169.254
+  assert.equal(isPrivateAddress('64:ff9b::a00:1'), true); // NAT64 de 10.0.0.1
+  assert.equal(isPrivateAddress('64:ff9b:1::1'), true); // NAT64 de uso local
+  assert.equal(isPrivateAddress('2002:c0a8::'), true); // 6to4 de 192.168.0.0
+  assert.equal(isPrivateAddress('::ffff:808:808'), false); // IPv4-mapped de 8.8.8.8
+  assert.equal(isPrivateAddress('64:ff9b::808:808'), false);
+  assert.equal(isPrivateAddress('2002:808:808::'), false);
+});
+
+test('isPrivateAddress: IPv6 pública pasa', () => {
+  assert.equal(isPrivateAddress('2606:4700:4700::1111'), false);
+  assert.equal(isPrivateAddress('2001:4860:4860::8888'), false);
+});
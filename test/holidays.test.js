@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { easterSunday, moveHoliday } = require('../server.js');
+
+test('easterSunday: fechas conocidas, incluidos los extremos del rango', () => {
+  assert.equal(easterSunday(2019), '2019-04-21');
+  assert.equal(easterSunday(2024), '2024-03-31');
+  assert.equal(easterSunday(2025), '2025-04-20');
+  assert.equal(easterSunday(2026), '2026-04-05');
+  assert.equal(easterSunday(2038), '2038-04-25'); // la más tardía posible
+  assert.equal(easterSunday(2285), '2285-03-22'); // la más temprana posible
+});
+
+test('moveHoliday next_monday (Ley Emiliani): al lunes siguiente salvo que ya sea lunes', () => {
+  assert.equal(moveHoliday('2025-01-06', 'next_monday'), '2025-01-06'); // lunes: no se mueve
+  assert.equal(moveHoliday('2026-01-06', 'next_monday'), '2026-01-12'); // martes: seis días después
+  assert.equal(moveHoliday('2025-01-04', 'next_monday'), '2025-01-06'); // sábado
+  assert.equal(moveHoliday('2025-01-05', 'next_monday'), '2025-01-06'); // domingo
+});
+
+test('moveHoliday ar_trasladable (Ley 27.399): martes y miércoles atrás, jueves y viernes adelante', () => {
+  assert.equal(moveHoliday('2025-11-11', 'ar_trasladable'), '2025-11-10'); // martes
+  assert.equal(moveHoliday('2025-11-12', 'ar_trasladable'), '2025-11-10'); // miércoles
+  assert.equal(moveHoliday('2025-11-13', 'ar_trasladable'), '2025-11-17'); // jueves
+  assert.equal(moveHoliday('2025-11-20', 'ar_trasladable'), '2025-11-24'); // jueves (Soberanía Nacional 2025)
+  assert.equal(moveHoliday('2025-11-21', 'ar_trasladable'), '2025-11-24'); // viernes
+  assert.equal(moveHoliday('2025-11-15', 'ar_trasladable'), '2025-11-15'); // sábado: no se mueve
+  assert.equal(moveHoliday('2025-11-16', 'ar_trasladable'), '2025-11-16'); // domingo: no se mueve
+  assert.equal(moveHoliday('2025-11-17', 'ar_trasladable'), '2025-11-17'); // lunes: no se mueve
+});
+
+test('moveHoliday sin regla de traslado deja la fecha', () => {
+  assert.equal(moveHoliday('2025-07-20', undefined), '2025-07-20');
+});
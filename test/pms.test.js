@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseLocaleNumber, parsePmsDate } = require('../server.js');
+
+test('parseCsv: coma, comillas con separador, comillas escapadas y CRLF', () => {
+  const rows = parseCsv('date,revenue,note\r\n2025-07-01,"1,234.50","dijo ""hola"""\r\n');
+  assert.deepEqual(rows, [
+    ['date', 'revenue', 'note'],
+    ['2025-07-01', '1,234.50', 'dijo "hola"']
+  ]);
+});
+
+test('parseCsv: detecta punto y coma y tabulador, quita el BOM y salta líneas vacías', () => {
+  assert.deepEqual(parseCsv('\uFEFFFecha;Ingresos\n05/07/2025;"1.234,56"\n\n'), [
+    ['Fecha', 'Ingresos'],
+    ['05/07/2025', '1.234,56']
+  ]);
+  assert.deepEqual(parseCsv('date\trooms\n2025-07-01\t12'), [['date', 'rooms'], ['2025-07-01', '12']]);
+});
+
+test('parseCsv: salto de línea dentro de un campo entre comillas y última línea sin salto', () => {
+  assert.deepEqual(parseCsv('a,b\n"línea 1\nlínea 2",2'), [['a', 'b'], ['línea 1\nlínea 2', '2']]);
+});
+
+test('parseLocaleNumber: separadores de miles y decimales europeos y anglosajones', () => {
+  assert.equal(parseLocaleNumber('1.234,56'), 1234.56);
+  assert.equal(parseLocaleNumber('1,234.56'), 1234.56);
+  assert.equal(parseLocaleNumber('350.000'), 350000);
+  assert.equal(parseLocaleNumber('1.250.000'), 1250000);
+  assert.equal(parseLocaleNumber('1,500'), 1500);
+  assert.equal(parseLocaleNumber('12,5'), 12.5);
+  assert.equal(parseLocaleNumber('1.5'), 1.5);
+  assert.equal(parseLocaleNumber('$ 350.000'), 350000);
+  assert.equal(parseLocaleNumber('-3,5'), -3.5);
+  assert.equal(parseLocaleNumber(42), 42);
+});
+
+test('parseLocaleNumber: null si no hay número', () => {
+  assert.equal(parseLocaleNumber(''), null);
+  assert.equal(parseLocaleNumber('abc'), null);
+  assert.equal(parseLocaleNumber(undefined), null);
+  assert.equal(parseLocaleNumber(NaN), null);
+});
+
+test('parsePmsDate: ISO con y sin guiones, con hora', () => {
+  assert.equal(parsePmsDate('2025-07-05'), '2025-07-05');
+  assert.equal(parsePmsDate('20250705'), '2025-07-05');
+  assert.equal(parsePmsDate('2025-07-05 00:00:00'), '2025-07-05');
+});
+
+test('parsePmsDate: DMY por defecto y MDY para exportaciones de EE. UU.', () => {
+  assert.equal(parsePmsDate('05/07/2025'), '2025-07-05');
+  assert.equal(parsePmsDate('05/07/2025', 'MDY'), '2025-05-07');
+  assert.equal(parsePmsDate('5.7.25'), '2025-07-05');
+  assert.equal(parsePmsDate('12-31-2025', 'MDY'), '2025-12-31');
+});
+
+test('parsePmsDate: null para fechas imposibles o texto', () => {
+  assert.equal(parsePmsDate('31/02/2025'), null);
+  assert.equal(parsePmsDate('12-31-2025'), null); // mes 31 en DMY
+  assert.equal(parsePmsDate('ayer'), null);
+  assert.equal(parsePmsDate(''), null);
+});
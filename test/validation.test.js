@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema } = require('../server.js');
+
+test('validateSchema: números y booleanos enviados como string se convierten', () => {
+  const schema = {
+    type: 'object',
+    properties: { days: { type: 'integer', minimum: 1, maximum: 14 }, no_cache: { type: 'boolean' } }
+  };
+  assert.deepEqual(validateSchema(schema, { days: '7', no_cache: 'true' }), { value: { days: 7, no_cache: true }, errors: [] });
+  assert.deepEqual(validateSchema(schema, { days: '15' }).errors, [{ field: 'days', message: 'debe ser <= 14' }]);
+  assert.deepEqual(validateSchema(schema, { days: 'siete' }).errors, [{ field: 'days', message: 'debe ser integer, recibido string ("siete")' }]);
+});
+
+test('validateSchema: enum rechaza valores fuera de la lista', () => {
+  const schema = { type: 'string', enum: ['off', 'moderate', 'strict'] };
+  assert.deepEqual(validateSchema(schema, 'moderate').errors, []);
+  assert.deepEqual(validateSchema(schema, 'none', 'safesearch').errors, [
+    { field: 'safesearch', message: 'valor no permitido "none" (permitidos: off, moderate, strict)' }
+  ]);
+});
+
+test('validateSchema: required y defaults en objetos', () => {
+  const schema = {
+    type: 'object',
+    properties: { location: { type: 'string', minLength: 1 }, days: { type: 'integer', default: 7 } },
+    required: ['location']
+  };
+  assert.deepEqual(validateSchema(schema, { location: 'Salento' }).value, { location: 'Salento', days: 7 });
+  assert.deepEqual(validateSchema(schema, {}).errors, [{ field: 'location', message: 'es obligatorio' }]);
+});
+
+test('validateSchema: tipos unión aceptan null si está en la lista y el primer tipo que valide', () => {
+  const nullable = { type: ['string', 'null'], format: 'date' };
+  assert.deepEqual(validateSchema(nullable, null).errors, []);
+  assert.deepEqual(validateSchema(nullable, '2025-07-01').errors, []);
+  assert.deepEqual(validateSchema(nullable, '2025-02-30', 'as_of').errors, [
+    { field: 'as_of', message: 'debe ser una fecha válida YYYY-MM-DD' }
+  ]);
+  assert.deepEqual(validateSchema({ type: 'string' }, null).errors, [{ field: 'arguments', message: 'debe ser string, recibido null' }]);
+
+  const seed = { type: ['string', 'integer'], pattern: '^[A-Za-z0-9_.:-]{1,64}$' };
+  assert.deepEqual(validateSchema(seed, 7), { value: 7, errors: [] });
+  assert.deepEqual(validateSchema(seed, 'abc'), { value: 'abc', errors: [] });
+});
+
+test('validateSchema: tipos unión reportan los errores del tipo que corresponde al valor', () => {
+  const seed = { type: ['string', 'integer'], pattern: '^[A-Za-z0-9_.:-]{1,64}$' };
+  assert.deepEqual(validateSchema(seed, 1.5, 'seed').errors, [{ field: 'seed', message: 'debe ser un número entero' }]);
+  assert.deepEqual(validateSchema(seed, 'a b', 'seed').errors, [
+    { field: 'seed', message: 'no cumple el formato ^[A-Za-z0-9_.:-]{1,64}$' }
+  ]);
+  assert.deepEqual(validateSchema(seed, true, 'seed').errors, [{ field: 'seed', message: 'debe ser string o integer, recibido boolean' }]);
+});